@@ -0,0 +1,122 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockInstagram, service, TEST_TIMEOUT_MS, launchTestBrowser, openPage, resetServiceState } from './helpers.js';
+import { healthPages } from './fixtures/mock-instagram.js';
+
+let browser;
+let context;
+let page;
+let account;
+
+/**
+ * Loads a health fixture page and runs the health check against it.
+ * @param {string} name - Key of healthPages
+ * @param {Object} [target] - Account to check (defaults to the default account)
+ */
+const checkHealthPage = async (name, target = account) => {
+  await page.goto(`${mockInstagram.baseUrl}/__health/${name}`);
+  return service.checkAccountHealth(target, page, 'test');
+};
+
+before(async () => {
+  browser = await launchTestBrowser();
+});
+
+after(async () => {
+  await browser?.close();
+  await mockInstagram.close();
+});
+
+beforeEach(async () => {
+  await resetServiceState();
+  account = service.getAccount();
+  ({ context, page } = await openPage(browser));
+});
+
+afterEach(async () => {
+  await context?.close();
+});
+
+test('healthy page passes and resets consecutive errors', { timeout: TEST_TIMEOUT_MS }, async () => {
+  account.health.consecutiveErrors = 2;
+
+  const result = await checkHealthPage('healthy');
+
+  assert.equal(result.isHealthy, true);
+  assert.deepEqual(result.detectedIssues, []);
+  assert.equal(account.health.isHealthy, true);
+  assert.equal(account.health.consecutiveErrors, 0);
+});
+
+for (const issue of Object.keys(healthPages).filter(name => name !== 'healthy')) {
+  test(`detects ${issue}`, { timeout: TEST_TIMEOUT_MS }, async () => {
+    const result = await checkHealthPage(issue);
+
+    assert.equal(result.isHealthy, false);
+    assert.ok(result.detectedIssues.includes(issue), `expected ${issue} in ${result.detectedIssues}`);
+    assert.equal(account.health.isHealthy, false);
+    assert.equal(account.health.totalBlocks, 1);
+    assert.equal(account.health.warnings.length, 1);
+  });
+}
+
+test('hard block trips the circuit breaker immediately', { timeout: TEST_TIMEOUT_MS }, async () => {
+  const result = await checkHealthPage('actionBlocked');
+
+  assert.equal(account.circuitBreaker.state, 'open');
+  assert.equal(account.circuitBreaker.trips, 1);
+  assert.ok(account.circuitBreaker.resumeAt > Date.now());
+  assert.ok(result.artifactId, 'block detection should capture failure artifacts');
+  assert.equal(account.health.warnings[0].artifactId, result.artifactId);
+});
+
+test('soft issues trip the breaker only after consecutive errors', { timeout: TEST_TIMEOUT_MS }, async () => {
+  await checkHealthPage('rateLimited');
+  await checkHealthPage('rateLimited');
+  assert.equal(account.circuitBreaker.state, 'closed');
+  assert.equal(account.health.consecutiveErrors, 2);
+
+  await checkHealthPage('rateLimited');
+  assert.equal(account.circuitBreaker.state, 'open');
+});
+
+test('failed half-open probe reopens the breaker', { timeout: TEST_TIMEOUT_MS }, async () => {
+  Object.assign(account.circuitBreaker, { state: 'halfopen', trips: 1, lastTripAt: Date.now() });
+
+  await checkHealthPage('spamDetected');
+
+  assert.equal(account.circuitBreaker.state, 'open');
+  assert.equal(account.circuitBreaker.trips, 2);
+});
+
+test('healthy half-open probe closes the breaker', { timeout: TEST_TIMEOUT_MS }, async () => {
+  Object.assign(account.circuitBreaker, { state: 'halfopen', trips: 1, lastTripAt: Date.now() });
+
+  await checkHealthPage('healthy');
+
+  assert.equal(account.circuitBreaker.state, 'closed');
+});
+
+test('a block on one account leaves other accounts untouched', { timeout: TEST_TIMEOUT_MS }, async () => {
+  const secondary = service.getAccount('secondary');
+
+  await checkHealthPage('actionBlocked', secondary);
+
+  assert.equal(secondary.circuitBreaker.state, 'open');
+  assert.equal(secondary.health.isHealthy, false);
+  assert.equal(account.circuitBreaker.state, 'closed');
+  assert.equal(account.health.isHealthy, true);
+  assert.equal(account.health.totalBlocks, 0);
+});
+
+test('a block stops the account\'s active campaigns', { timeout: TEST_TIMEOUT_MS }, async () => {
+  const schedule = { timezone: 'UTC', days: ['mon'], activeHours: { start: '09:00', end: '17:00' }, dailyTarget: 10 };
+  const campaign = service.createCampaign(account, { name: 'Blocked', targets: ['followme'], schedule, dedupeWindowMs: null });
+  const other = service.createCampaign(service.getAccount('secondary'), { name: 'Other', targets: ['followme'], schedule, dedupeWindowMs: null });
+
+  await checkHealthPage('rateLimited');
+
+  assert.equal(campaign.state, 'stopped');
+  assert.match(campaign.stopReason, /rateLimited/);
+  assert.equal(other.state, 'active');
+});
@@ -0,0 +1,84 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { mockInstagram, service } from './helpers.js';
+
+after(async () => {
+  await mockInstagram.close();
+});
+
+test('loads every account from ACCOUNTS_FILE', () => {
+  assert.deepEqual(Array.from(service.accounts.keys()), ['default', 'secondary']);
+  assert.equal(service.getAccount('secondary').password, 'mock-password-two');
+});
+
+test('requests without an account use the default account', () => {
+  assert.equal(service.getAccount().id, 'default');
+  assert.equal(service.getAccount('missing'), null);
+});
+
+test('accounts keep separate state objects', () => {
+  const primary = service.getAccount('default');
+  const secondary = service.getAccount('secondary');
+
+  primary.followActionLog.push(Date.now());
+
+  assert.notEqual(primary.health, secondary.health);
+  assert.notEqual(primary.circuitBreaker, secondary.circuitBreaker);
+  assert.deepEqual(secondary.followActionLog, []);
+});
+
+test('rejects an empty registry', () => {
+  assert.deepEqual(service.validateAccountsRegistry({ accounts: [] }), ['accounts must be a non-empty array']);
+});
+
+test('rejects duplicate ids and missing credentials', () => {
+  const errors = service.validateAccountsRegistry({
+    accounts: [
+      { id: 'brand', username: 'brand_a', password: 'secret' },
+      { id: 'brand', username: 'brand_b' }
+    ]
+  });
+
+  assert.deepEqual(errors, [
+    'accounts[1].id "brand" is used more than once',
+    'accounts[1] needs exactly one of password or passwordEnv'
+  ]);
+});
+
+test('rejects a passwordEnv that is not set and an unknown default', () => {
+  const errors = service.validateAccountsRegistry({
+    default: 'other',
+    accounts: [{ id: 'brand', username: 'brand_a', passwordEnv: 'UNSET_TEST_PASSWORD' }]
+  });
+
+  assert.deepEqual(errors, [
+    'accounts[0].passwordEnv names UNSET_TEST_PASSWORD, which is not set',
+    'default must be the id of a listed account'
+  ]);
+});
+
+test('passwordEnv can point at a mounted secret file', () => {
+  const secretPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'instagram-secret-')), 'password');
+  fs.writeFileSync(secretPath, 'from-a-file\n');
+  process.env.FILE_TEST_PASSWORD_FILE = secretPath;
+  process.env.BOTH_TEST_PASSWORD = 'inline';
+  process.env.BOTH_TEST_PASSWORD_FILE = secretPath;
+
+  try {
+    assert.equal(service.readSecret('FILE_TEST_PASSWORD'), 'from-a-file');
+    assert.deepEqual(service.validateAccountsRegistry({
+      accounts: [
+        { id: 'brand', username: 'brand_a', passwordEnv: 'FILE_TEST_PASSWORD' },
+        { id: 'other', username: 'brand_b', passwordEnv: 'BOTH_TEST_PASSWORD' }
+      ]
+    }), ['accounts[1].passwordEnv: BOTH_TEST_PASSWORD and BOTH_TEST_PASSWORD_FILE are both set; use one']);
+  } finally {
+    delete process.env.FILE_TEST_PASSWORD_FILE;
+    delete process.env.BOTH_TEST_PASSWORD;
+    delete process.env.BOTH_TEST_PASSWORD_FILE;
+    fs.rmSync(path.dirname(secretPath), { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,137 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { service, apiKeySecrets, resetServiceState, startTestServer, request } from './helpers.js';
+
+let server;
+
+/**
+ * Calls the service with an API key.
+ * @param {string} path - Request path
+ * @param {string} secret - Plain API key
+ * @param {Object} [body] - JSON body (sent as POST)
+ */
+const requestAs = (path, secret, body) => request(body ? 'POST' : 'GET', path, { body, token: secret });
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(async () => {
+  await resetServiceState();
+  // A recent follow makes "dedupe" answer without launching a browser
+  service.recordFollowHistory(service.getAccount(), 'first_user', {
+    success: true,
+    status: 'followed',
+    timestamp: new Date().toISOString(),
+    attempts: 1
+  });
+});
+
+test('loads file keys next to the legacy BEARER_TOKEN key', () => {
+  assert.deepEqual(Array.from(service.apiKeys.keys()), ['reporting', 'limited', 'bearer-token']);
+  assert.deepEqual(service.apiKeys.get('bearer-token').scopes, ['admin']);
+});
+
+test('rejects reserved ids, unknown scopes, plain secrets and bad expiry dates', () => {
+  const errors = service.validateApiKeysRegistry({
+    keys: [
+      { id: 'bearer-token', scopes: ['admin'], hashes: [{ hash: service.hashApiKeySecret('one') }] },
+      { id: 'crm', scopes: ['everything'], hashes: [{ hash: 'not-a-hash' }] },
+      { id: 'n8n', scopes: ['follow'], hashes: [{ hash: service.hashApiKeySecret('two'), expiresAt: 'soon' }], quota: {} }
+    ]
+  });
+
+  assert.deepEqual(errors, [
+    'keys[0].id "bearer-token" is reserved for BEARER_TOKEN',
+    'keys[1].scopes must be a non-empty array of follow, read-health, history, admin',
+    'keys[1].hashes[0].hash must be "sha256:" followed by 64 lowercase hex characters',
+    'keys[2].hashes[0].expiresAt must be an ISO 8601 timestamp',
+    'keys[2].quota needs hourly and/or daily as positive integers'
+  ]);
+});
+
+test('scopes decide which endpoints a key may use', async () => {
+  const follow = await requestAs('/follow', apiKeySecrets.reporting, { username: 'first_user', dedupe: true });
+  assert.equal(follow.status, 403);
+  assert.match((await follow.json()).errorDetails, /needs one of these scopes: follow/);
+
+  assert.equal((await requestAs('/history', apiKeySecrets.reporting)).status, 200);
+  assert.equal((await requestAs('/history', apiKeySecrets.limited)).status, 403);
+  assert.equal((await requestAs('/admin/api-keys', apiKeySecrets.reporting)).status, 403);
+});
+
+test('a key with its own rate limit is limited per key and named in the history', async () => {
+  const first = await requestAs('/follow', apiKeySecrets.limited, { username: 'first_user', dedupe: true });
+  const second = await requestAs('/follow', apiKeySecrets.limited, { username: 'first_user', dedupe: true });
+  const third = await requestAs('/follow', apiKeySecrets.limited, { username: 'first_user', dedupe: true });
+
+  assert.equal(first.status, 200);
+  assert.equal(second.status, 200);
+  assert.equal(third.status, 429);
+  assert.equal((await third.json()).errorDetails, 'Rate limit exceeded for API key');
+
+  const entries = service.queryFollowHistory({ apiKey: 'limited' });
+  assert.equal(entries.length, 2);
+  assert.equal(entries[0].status, 'duplicate');
+});
+
+test('a key\'s per-minute limit ignores the global rate limit window', async () => {
+  const windowMs = service.runtimeConfig.rateLimitWindowMs;
+  service.runtimeConfig.rateLimitWindowMs = 1000;
+
+  try {
+    await requestAs('/follow', apiKeySecrets.limited, { username: 'first_user', dedupe: true });
+    const bucket = service.rateLimitStore.get('key:limited');
+    assert.ok(bucket.resetAt - Date.now() > 50000);
+  } finally {
+    service.runtimeConfig.rateLimitWindowMs = windowMs;
+  }
+});
+
+test('a key\'s follow quota refuses follows before Instagram is contacted', async () => {
+  service.apiKeys.get('limited').followActionLog.push(Date.now());
+
+  const result = await service.automateFollow(service.getAccount(), 'second_user', 'test', { apiKey: 'limited' });
+
+  assert.equal(result.status, 'quotaexceeded');
+  assert.equal(result.errorDetails, 'API key "limited" follow quota exceeded (daily 1/1)');
+  assert.equal(service.queryFollowHistory({ username: 'second_user' })[0].apiKey, 'limited');
+});
+
+test('a batch stopped by a quota answers 429 like a single follow', async () => {
+  service.apiKeys.get('limited').followActionLog.push(Date.now());
+
+  const response = await requestAs('/follow/batch', apiKeySecrets.limited, { usernames: ['first_user', 'second_user'], dedupe: true });
+  const result = await response.json();
+
+  assert.equal(response.status, 429);
+  assert.equal(result.status, 'stopped');
+  assert.equal(result.stopStatus, 'quotaexceeded');
+  assert.deepEqual(result.results.map(target => target.status), ['duplicate']);
+  assert.deepEqual(result.skipped, ['second_user']);
+});
+
+test('keys only see their own jobs while admin keys see every job', async () => {
+  const queued = await (await requestAs('/follow', apiKeySecrets.limited, { username: 'first_user', dedupe: true, async: true })).json();
+
+  assert.equal((await requestAs(`/jobs/${queued.jobId}`, apiKeySecrets.limited)).status, 200);
+  assert.equal((await requestAs(`/jobs/${queued.jobId}`, apiKeySecrets.reporting)).status, 404);
+  assert.equal((await (await requestAs('/jobs', apiKeySecrets.reporting)).json()).total, 0);
+
+  const all = await (await request('GET', '/jobs')).json();
+  assert.ok(all.jobs.some(job => job.jobId === queued.jobId));
+});
+
+test('an expired secret is rejected while the rotated one keeps working', async () => {
+  const retired = 'test-retired-key-that-is-at-least-32-chars';
+  service.apiKeys.get('reporting').secrets.push({ hash: service.hashApiKeySecret(retired), expiresAt: Date.now() - 1000 });
+
+  const response = await requestAs('/history', retired);
+  assert.equal(response.status, 401);
+  assert.match((await response.json()).errorDetails, /expired/);
+  assert.equal((await requestAs('/history', apiKeySecrets.reporting)).status, 200);
+});
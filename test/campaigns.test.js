@@ -0,0 +1,176 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { service, resetServiceState, startTestServer, request } from './helpers.js';
+
+// Monday and Sunday, 10:00 in New York (well after the real clock, so
+// follows finished "now" are never in the scheduler's future)
+const MONDAY_10AM = Date.parse('2030-01-07T15:00:00Z');
+const SUNDAY_10AM = Date.parse('2030-01-06T15:00:00Z');
+
+const schedule = {
+  timezone: 'America/New_York',
+  days: ['mon', 'tue', 'wed', 'thu', 'fri'],
+  activeHours: { start: '09:00', end: '17:00' },
+  dailyTarget: 4
+};
+
+let server;
+let account;
+
+/**
+ * Calls a campaign route and reads its JSON body.
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {Object} [body] - JSON body
+ */
+const callCampaigns = async (method, path, body) => {
+  const response = await request(method, path, { body });
+  return { status: response.status, body: await response.json() };
+};
+
+/**
+ * Waits until the campaign's queued follow has finished.
+ * @param {Object} campaign - Campaign
+ */
+const waitForCampaignIdle = async (campaign) => {
+  while (campaign.activeJobId) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+/**
+ * Marks targets as followed so campaign follows resolve as duplicates without a browser.
+ * @param {Array<string>} usernames - Targets
+ */
+const markFollowed = (usernames) => usernames.forEach(username => service.recordFollowHistory(account, username, {
+  success: true,
+  status: 'followed',
+  timestamp: new Date().toISOString(),
+  attempts: 1
+}));
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(async () => {
+  await resetServiceState();
+  account = service.getAccount();
+});
+
+test('rejects schedules with bad timezones, days, hours or targets', () => {
+  const errors = service.validateCampaignSchedule({
+    timezone: 'Mars/Olympus',
+    days: ['mon', 'someday'],
+    activeHours: { start: '18:00', end: '09:00' },
+    dailyTarget: 0
+  });
+
+  assert.equal(errors.length, 4);
+  assert.deepEqual(service.validateCampaignSchedule(schedule), []);
+});
+
+test('scheduler only queues follows inside active hours on scheduled days', async () => {
+  markFollowed(['first_user', 'second_user']);
+  const campaign = service.createCampaign(account, { name: 'Test', targets: ['first_user', 'second_user'], schedule, dedupeWindowMs: 60 * 60 * 1000 });
+
+  service.runCampaignScheduler(SUNDAY_10AM);
+  assert.equal(campaign.day.date, null);
+  assert.equal(campaign.activeJobId, null);
+
+  // First tick of the day picks a random start within the first gap (7h left / 4 actions)
+  service.runCampaignScheduler(MONDAY_10AM);
+  assert.equal(campaign.day.date, '2030-01-07');
+  assert.ok(campaign.nextActionAt >= MONDAY_10AM && campaign.nextActionAt <= MONDAY_10AM + (7 * 60 / 4) * 60 * 1000);
+  assert.equal(campaign.activeJobId, null);
+
+  service.runCampaignScheduler(campaign.nextActionAt);
+  assert.ok(campaign.activeJobId);
+  await waitForCampaignIdle(campaign);
+
+  assert.equal(campaign.cursor, 1);
+  assert.deepEqual(campaign.summary, { duplicate: 1 });
+  assert.equal(service.queryFollowHistory({ username: 'first_user' })[0].source, 'campaign');
+
+  service.runCampaignScheduler(MONDAY_10AM + 60 * 60 * 1000);
+  await waitForCampaignIdle(campaign);
+  assert.equal(campaign.state, 'completed');
+});
+
+test('stopped campaigns are not scheduled', () => {
+  const campaign = service.createCampaign(account, { name: 'Test', targets: ['first_user'], schedule, dedupeWindowMs: null });
+  Object.assign(campaign, { state: 'stopped', stopReason: 'Block detected: actionBlocked' });
+
+  service.runCampaignScheduler(MONDAY_10AM);
+  service.runCampaignScheduler(MONDAY_10AM + 60 * 60 * 1000);
+
+  assert.equal(campaign.activeJobId, null);
+});
+
+test('campaigns wait while dry-run mode is on', () => {
+  const campaign = service.createCampaign(account, { name: 'Test', targets: ['first_user'], schedule, dedupeWindowMs: null });
+  service.runtimeConfig.dryRun = true;
+
+  try {
+    service.runCampaignScheduler(MONDAY_10AM);
+    assert.equal(campaign.day.date, null);
+    assert.equal(campaign.activeJobId, null);
+  } finally {
+    service.runtimeConfig.dryRun = false;
+  }
+});
+
+test('failed follows retry the target a few times before counting it', () => {
+  const campaign = service.createCampaign(account, { name: 'Test', targets: ['first_user', 'second_user'], schedule, dedupeWindowMs: null });
+  const failed = { success: false, status: 'failed', timestamp: new Date().toISOString(), errorDetails: 'Navigation timeout' };
+
+  service.recordCampaignResult(campaign, 'first_user', failed, 'test');
+  service.recordCampaignResult(campaign, 'first_user', failed, 'test');
+  assert.equal(campaign.cursor, 0);
+  assert.equal(campaign.targetFailures, 2);
+  assert.equal(campaign.day.actions, 0);
+  assert.deepEqual(campaign.summary, {});
+
+  service.recordCampaignResult(campaign, 'first_user', failed, 'test');
+  assert.equal(campaign.cursor, 1);
+  assert.equal(campaign.targetFailures, 0);
+  assert.deepEqual(campaign.summary, { failed: 1 });
+});
+
+test('a quota refusal without resetAt is retried on the next tick', () => {
+  const campaign = service.createCampaign(account, { name: 'Test', targets: ['first_user'], schedule, dedupeWindowMs: null });
+  const before = Date.now();
+
+  service.recordCampaignResult(campaign, 'first_user', { success: false, status: 'quotaexceeded', timestamp: new Date().toISOString() }, 'test');
+
+  assert.ok(Number.isFinite(campaign.nextActionAt));
+  assert.ok(campaign.nextActionAt >= before + service.runtimeConfig.campaignTickMs);
+  assert.equal(campaign.cursor, 0);
+});
+
+test('creates, pauses, resumes and deletes a campaign over HTTP', async () => {
+  const invalid = await callCampaigns('POST', '/campaigns', { name: 'Launch', usernames: ['ok_user', 'bad user'], schedule });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.body.invalidUsernames, ['bad user']);
+
+  const created = await callCampaigns('POST', '/campaigns', { name: 'Launch', usernames: ['first_user', 'second_user'], schedule });
+  assert.equal(created.status, 201);
+  const { id } = created.body.campaign;
+  assert.equal(created.body.campaign.state, 'active');
+  assert.equal(created.body.campaign.progress.total, 2);
+
+  assert.equal((await callCampaigns('POST', `/campaigns/${id}/pause`)).body.campaign.state, 'paused');
+  assert.equal((await callCampaigns('POST', `/campaigns/${id}/pause`)).status, 409);
+  assert.equal((await callCampaigns('POST', `/campaigns/${id}/resume`)).body.campaign.state, 'active');
+
+  const updated = await callCampaigns('PATCH', `/campaigns/${id}`, { schedule: { dailyTarget: 10 } });
+  assert.equal(updated.body.campaign.schedule.dailyTarget, 10);
+  assert.equal(updated.body.campaign.schedule.timezone, 'America/New_York');
+
+  assert.equal((await callCampaigns('DELETE', `/campaigns/${id}`)).status, 200);
+  assert.equal((await callCampaigns('GET', `/campaigns/${id}`)).status, 404);
+});
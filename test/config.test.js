@@ -0,0 +1,111 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { service, startTestServer, request } from './helpers.js';
+
+let server;
+const defaults = { ...service.runtimeConfig };
+
+/**
+ * Calls /admin/config.
+ * @param {string} method - GET or PATCH
+ * @param {Object} [body] - JSON body
+ */
+const callConfig = (method, body) => request(method, '/admin/config', { body });
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+afterEach(() => {
+  Object.assign(service.runtimeConfig, defaults);
+});
+
+test('reports settings with their source and never the secrets', async () => {
+  const report = await (await callConfig('GET')).json();
+
+  assert.deepEqual(report.settings.maxRetries, { value: 3, source: 'default', env: 'MAX_RETRIES', runtime: true });
+  assert.equal(report.settings.browserHeadless.runtime, false);
+  assert.equal(report.environment.secrets.BEARER_TOKEN, '[REDACTED]');
+  assert.doesNotMatch(JSON.stringify(report), new RegExp(process.env.BEARER_TOKEN));
+});
+
+test('runtime settings change immediately and the rest need a restart', async () => {
+  const updated = await callConfig('PATCH', { maxRetries: 2, minCooldownMs: 45000 });
+  assert.equal(updated.status, 200);
+  assert.deepEqual((await updated.json()).changed, [
+    { field: 'maxRetries', from: 3, to: 2 },
+    { field: 'minCooldownMs', from: 30000, to: 45000 }
+  ]);
+  assert.equal(service.runtimeConfig.maxRetries, 2);
+
+  const rejected = await callConfig('PATCH', { maxRetries: 4, browserHeadless: false, retries: 1 });
+  assert.equal(rejected.status, 400);
+  assert.deepEqual((await rejected.json()).validationErrors, [
+    'browserHeadless can only be changed with a restart (BROWSER_HEADLESS)',
+    '"retries" is not a setting'
+  ]);
+  assert.equal(service.runtimeConfig.maxRetries, 2);
+});
+
+test('rejects out-of-range values and inconsistent cooldown bounds', () => {
+  assert.deepEqual(service.updateConfig({ navigationTimeoutMs: 10 }, 'test', 'test').errors, ['navigationTimeoutMs must be an integer from 5000 to 120000']);
+  assert.deepEqual(service.updateConfig({ minCooldownMs: 90000 }, 'test', 'test').errors, ['minCooldownMs must not exceed maxCooldownMs']);
+  assert.deepEqual(service.updateConfig({ circuitBreakerMaxPauseMs: 600000 }, 'test', 'test').errors, [
+    'circuitBreakerBasePauseMs must not exceed circuitBreakerMaxPauseMs'
+  ]);
+});
+
+test('environment variables are parsed and validated', () => {
+  Object.assign(process.env, { MAX_RETRIES: '5', BROWSER_HEADLESS: 'yes', BROWSER_TIMEZONE: 'Mars/Olympus' });
+
+  try {
+    const { values, sources, errors } = service.loadConfig();
+    assert.equal(values.maxRetries, 5);
+    assert.equal(sources.maxRetries, 'env');
+    assert.deepEqual(errors, ['BROWSER_HEADLESS must be true or false', 'BROWSER_TIMEZONE must be a valid IANA timezone']);
+  } finally {
+    delete process.env.MAX_RETRIES;
+    delete process.env.BROWSER_HEADLESS;
+    delete process.env.BROWSER_TIMEZONE;
+  }
+});
+
+test('quota and timing variables fail on garbage and accept 0 where it means off', () => {
+  Object.assign(process.env, { FOLLOW_QUOTA_HOURLY: 'abc', FOLLOW_QUOTA_DAILY: '0', SHUTDOWN_TIMEOUT_MS: '0', CAMPAIGN_TICK_MS: '10', MAX_ARTIFACTS: 'many' });
+
+  try {
+    const { values, errors } = service.loadConfig();
+    assert.equal(values.followQuotaHourly, 20);
+    assert.equal(values.followQuotaDaily, 0);
+    assert.equal(values.shutdownTimeoutMs, 0);
+    assert.deepEqual(errors, [
+      'FOLLOW_QUOTA_HOURLY must be an integer from 0 to 1000',
+      'MAX_ARTIFACTS must be an integer from 1 to 10000',
+      'CAMPAIGN_TICK_MS must be an integer from 1000 to 600000'
+    ]);
+  } finally {
+    delete process.env.FOLLOW_QUOTA_HOURLY;
+    delete process.env.FOLLOW_QUOTA_DAILY;
+    delete process.env.SHUTDOWN_TIMEOUT_MS;
+    delete process.env.CAMPAIGN_TICK_MS;
+    delete process.env.MAX_ARTIFACTS;
+  }
+});
+
+test('a follow quota of 0 turns that window off', async () => {
+  const account = service.getAccount();
+  account.followActionLog = Array.from({ length: 30 }, () => Date.now());
+  assert.equal(service.updateConfig({ followQuotaHourly: 0 }, 'test', 'test').errors.length, 0);
+
+  try {
+    const quota = await (await request('GET', '/quota')).json();
+    assert.deepEqual(quota.hourly, { limit: 0, used: 30, remaining: null, nextSlotAt: null });
+    assert.equal(quota.exceeded, false);
+  } finally {
+    account.followActionLog = [];
+  }
+});
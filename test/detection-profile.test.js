@@ -0,0 +1,63 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { mockInstagram, service } from './helpers.js';
+
+const shippedProfile = JSON.parse(await fs.readFile(new URL('../detection-profile.json', import.meta.url), 'utf8'));
+
+/**
+ * Returns a deep copy of the shipped profile for a test to break.
+ */
+const cloneProfile = () => structuredClone(shippedProfile);
+
+after(async () => {
+  await mockInstagram.close();
+});
+
+test('shipped detection profile is valid', () => {
+  assert.deepEqual(service.validateDetectionProfile(shippedProfile), []);
+});
+
+test('rejects a profile without a version', () => {
+  const profile = cloneProfile();
+  delete profile.version;
+
+  assert.deepEqual(service.validateDetectionProfile(profile), ['version must be a non-empty string']);
+});
+
+test('rejects missing selectors', () => {
+  const profile = cloneProfile();
+  delete profile.selectors.loginForm;
+  profile.selectors.loggedIn = [];
+
+  const errors = service.validateDetectionProfile(profile);
+  assert.ok(errors.includes('selectors.loginForm must be a non-empty CSS selector'));
+  assert.ok(errors.includes('selectors.loggedIn must be a non-empty array of CSS selectors'));
+});
+
+test('rejects uppercase patterns, which could never match lowercased page text', () => {
+  const profile = cloneProfile();
+  profile.locales.en.buttons.follow = ['Follow'];
+  profile.locales.en.text.notFound = [['page', 'Not Found']];
+
+  const errors = service.validateDetectionProfile(profile);
+  assert.ok(errors.includes('locales.en.buttons.follow must be an array of lowercase strings'));
+  assert.ok(errors.includes('locales.en.text.notFound must be an array of lowercase text rules'));
+});
+
+test('rejects block patterns without text or html rules', () => {
+  const profile = cloneProfile();
+  profile.locales.es.blockPatterns.rateLimited = {};
+  profile.locales.es.blockPatterns.spamDetected = { html: 'recaptcha' };
+
+  const errors = service.validateDetectionProfile(profile);
+  assert.ok(errors.includes('locales.es.blockPatterns.rateLimited must define text and/or html rules'));
+  assert.ok(errors.includes('locales.es.blockPatterns.spamDetected.html must be an array of lowercase text rules'));
+});
+
+test('rejects a profile without locales', () => {
+  const profile = cloneProfile();
+  profile.locales = {};
+
+  assert.deepEqual(service.validateDetectionProfile(profile), ['locales must define at least one locale']);
+});
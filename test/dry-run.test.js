@@ -0,0 +1,82 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { service, resetServiceState, startTestServer, request } from './helpers.js';
+
+let server;
+let account;
+
+/**
+ * Posts a follow.
+ * @param {Object} body - Request body
+ * @param {Object} [headers] - Extra headers
+ */
+const postFollow = (body, headers = {}) => request('POST', '/follow', { body, headers });
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(async () => {
+  await resetServiceState();
+  account = service.getAccount();
+  // A recent follow makes "dedupe" answer without launching a browser
+  service.recordFollowHistory(account, 'first_user', {
+    success: true,
+    status: 'followed',
+    timestamp: new Date().toISOString(),
+    attempts: 1
+  });
+});
+
+afterEach(() => {
+  service.runtimeConfig.dryRun = false;
+});
+
+test('rejects a dryRun that is not a boolean', async () => {
+  const response = await postFollow({ username: 'first_user', dryRun: 'yes' });
+
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).errorDetails, '"dryRun" must be true or false.');
+});
+
+test('dry runs are flagged as simulated and kept out of the history and metrics', async () => {
+  const response = await postFollow({ username: 'first_user', dedupe: true, dryRun: true });
+  const result = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(result.status, 'duplicate');
+  assert.equal(result.simulated, true);
+  assert.equal(service.queryFollowHistory().length, 1);
+
+  const metrics = await (await request('GET', '/metrics')).text();
+  assert.doesNotMatch(metrics, /instagram_action_results_total\{[^}]*status="duplicate"/);
+});
+
+test('dry runs skip the quota checks, since they never count against them', async () => {
+  // An open breaker answers before a browser is needed, so reaching it shows the quota was skipped
+  account.followActionLog.push(...Array(20).fill(Date.now()));
+  Object.assign(account.circuitBreaker, { state: 'open', resumeAt: Date.now() + 60000, reason: 'test' });
+
+  const capped = await service.automateFollow(account, 'second_user', 'test', { dryRun: true });
+  assert.equal(capped.status, 'paused');
+  assert.equal(capped.simulated, true);
+  assert.equal(service.queryFollowHistory().length, 1);
+
+  const batch = await service.automateBatchFollow(account, ['second_user'], 'test', { dryRun: true });
+  assert.match(batch.errorDetails, /circuit breaker/);
+});
+
+test('the dryRun setting applies to every follow and a key cannot be replayed across modes', async () => {
+  service.runtimeConfig.dryRun = true;
+  const first = await postFollow({ username: 'first_user', dedupe: true }, { 'Idempotency-Key': 'dry-run-test' });
+  assert.equal((await first.json()).simulated, true);
+
+  service.runtimeConfig.dryRun = false;
+  const replay = await postFollow({ username: 'first_user', dedupe: true }, { 'Idempotency-Key': 'dry-run-test' });
+  assert.equal(replay.status, 409);
+  assert.match((await replay.json()).errorDetails, /dry-run mode/);
+});
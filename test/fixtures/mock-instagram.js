@@ -0,0 +1,199 @@
+import express from 'express';
+
+// ============================================================================
+// MOCK INSTAGRAM FIXTURE SERVER
+// ============================================================================
+// Serves minimal stand-ins for the Instagram pages the automation core reads.
+// Markup only mirrors what server.js looks at (button texts, <nav>, body text),
+// so when a detection pattern changes, update the matching fixture here.
+
+const SESSION_COOKIE = 'sessionid=mock-session';
+const TWO_FACTOR_CODE = '123456'; // The only security code the 2FA page accepts
+
+/**
+ * Wraps page content in a bare HTML document.
+ * @param {string} title - Document title
+ * @param {string} body - Inner body HTML
+ */
+const renderDocument = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>${title}</title></head>
+<body>${body}</body>
+</html>`;
+
+/**
+ * Renders a profile with a single relationship button. Clicking the button
+ * switches its text to `afterClick` (if set) and optionally shows a dialog,
+ * imitating Instagram's client-side state change.
+ * @param {string} username - Profile username
+ * @param {Object} profile - { button, ariaLabel, afterClick, dialogAfterClick }
+ */
+const renderProfile = (username, profile) => {
+  const ariaLabel = profile.ariaLabel ? ` aria-label="${profile.ariaLabel}"` : '';
+  const button = profile.button !== null ? `<button type="button" id="relationship"${ariaLabel}>${profile.button}</button>` : '';
+  const script = profile.afterClick ? `<script>
+    document.getElementById('relationship').addEventListener('click', (event) => {
+      event.currentTarget.innerText = ${JSON.stringify(profile.afterClick)};
+      ${profile.dialogAfterClick ? `document.body.insertAdjacentHTML('beforeend', ${JSON.stringify(`<div role="dialog">${profile.dialogAfterClick}</div>`)});` : ''}
+    });
+  </script>` : '';
+
+  return renderDocument(`@${username}`, `
+    <nav><a href="/">Home</a></nav>
+    <main>
+      <header><h2>${username}</h2>${button}</header>
+      <section>${profile.body || '<p>12 posts</p><p>340 followers</p>'}</section>
+    </main>
+    ${script}`);
+};
+
+// Profiles keyed by username, one per followUser outcome
+const profiles = {
+  followme: { button: 'Follow', afterClick: 'Following' },
+  followbackme: { button: 'Follow Back', afterClick: 'Following' },
+  seguirperfil: { button: 'Seguir', afterClick: 'Siguiendo' },
+  privateprofile: { button: 'Follow', afterClick: 'Requested', body: '<p>This account is private</p>' },
+  alreadyfollowing: { button: 'Following' },
+  pendingrequest: { button: 'Requested' },
+  nobutton: { button: null },
+  stuckbutton: { button: 'Follow' },
+  unknownbutton: { button: 'Options', ariaLabel: 'Follow options' },
+  blockedbyuser: { button: null, body: '<p>User not found</p>' },
+  blockedonload: { button: 'Follow', body: '<p>Action Blocked</p><p>We restrict certain activity to protect our community.</p>' },
+  blockedafterfollow: {
+    button: 'Follow',
+    afterClick: 'Following',
+    dialogAfterClick: 'Action Blocked. This action was blocked. Please try again later.'
+  }
+};
+
+// Pages for checkAccountHealth, one per detection pattern
+const healthPages = {
+  healthy: '<nav></nav><p>Home feed</p>',
+  actionBlocked: '<div role="dialog">Action Blocked. We restrict certain activity to protect our community.</div>',
+  temporaryBan: '<p>Please wait a few minutes before you try again.</p>',
+  spamDetected: '<p>We detected unusual activity from your device.</p>',
+  rateLimited: '<p>Too many requests. Slow down.</p>',
+  accountWarning: '<p>Your account may be removed for a community guidelines violation.</p>',
+  captchaChallenge: '<p>Security Check</p><div class="g-recaptcha"></div>'
+};
+
+/**
+ * Starts the mock Instagram server on a random local port.
+ * Login behaviour is switchable per test via setLoginOutcome().
+ * @returns {Promise<Object>} { baseUrl, setLoginOutcome, loginAttempts, reset, close }
+ */
+export const startMockInstagram = async () => {
+  const app = express();
+  const state = {
+    // 'success' | '2fa' | 'badpassword' | 'noform'
+    loginOutcome: 'success',
+    loginAttempts: 0
+  };
+
+  app.use(express.urlencoded({ extended: false }));
+
+  const hasSession = (req) => (req.headers.cookie || '').includes(SESSION_COOKIE);
+
+  app.get('/', (req, res) => {
+    if (hasSession(req)) {
+      res.send(renderDocument('Instagram', '<nav aria-label="Primary"><a href="/" aria-label="Home">Home</a><a href="/direct/inbox/">Messages</a></nav><main><p>Home feed</p></main>'));
+      return;
+    }
+    res.send(renderDocument('Instagram', '<main><p>Sign up to see photos and videos from your friends.</p><a href="/accounts/login/">Log in</a></main>'));
+  });
+
+  app.get('/accounts/login/', (req, res) => {
+    if (state.loginOutcome === 'noform') {
+      res.send(renderDocument('Login', '<main><p>Something went wrong loading this page.</p></main>'));
+      return;
+    }
+    res.send(renderDocument('Login', `
+      <main>
+        <form method="post" action="/accounts/login/">
+          <input name="username" autocomplete="username" aria-label="Phone number, username, or email">
+          <input name="password" type="password" autocomplete="current-password" aria-label="Password">
+          <button type="submit">Log in</button>
+        </form>
+        ${req.query.error ? '<p id="error">Sorry, your password was incorrect. Please double-check your password.</p>' : ''}
+      </main>`));
+  });
+
+  app.post('/accounts/login/', (req, res) => {
+    state.loginAttempts++;
+
+    if (state.loginOutcome === '2fa') {
+      res.redirect(302, '/accounts/login/two_factor/');
+      return;
+    }
+    if (state.loginOutcome === 'badpassword') {
+      res.redirect(302, '/accounts/login/?error=1');
+      return;
+    }
+
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}; Path=/; HttpOnly`);
+    res.redirect(302, '/');
+  });
+
+  app.get('/accounts/login/two_factor/', (req, res) => {
+    res.send(renderDocument('Login', `
+      <main>
+        <h2>Enter Security Code</h2>
+        <p>Enter the 6-digit code we sent to your phone.</p>
+        <form method="post" action="/accounts/login/two_factor/">
+          <input name="verificationCode" autocomplete="one-time-code">
+          <button type="submit">Confirm</button>
+        </form>
+        ${req.query.error ? '<p id="error">Please check the security code and try again.</p>' : ''}
+      </main>`));
+  });
+
+  app.post('/accounts/login/two_factor/', (req, res) => {
+    if (req.body.verificationCode !== TWO_FACTOR_CODE) {
+      res.redirect(302, '/accounts/login/two_factor/?error=1');
+      return;
+    }
+
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}; Path=/; HttpOnly`);
+    res.redirect(302, '/');
+  });
+
+  app.get('/__health/:page', (req, res) => {
+    const page = healthPages[req.params.page];
+    if (!page) {
+      res.status(404).end();
+      return;
+    }
+    res.send(renderDocument('Instagram', page));
+  });
+
+  app.get('/:username/', (req, res) => {
+    const profile = profiles[req.params.username];
+    if (!profile) {
+      res.status(404).send(renderDocument('Page not found', `
+        <main>
+          <h2>Sorry, this page isn't available.</h2>
+          <p>The link you followed may be broken, or the page may have been removed.</p>
+        </main>`));
+      return;
+    }
+    res.send(renderProfile(req.params.username, profile));
+  });
+
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    setLoginOutcome: (outcome) => { state.loginOutcome = outcome; },
+    get loginAttempts() { return state.loginAttempts; },
+    reset: () => {
+      state.loginOutcome = 'success';
+      state.loginAttempts = 0;
+    },
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+};
+
+export { profiles, healthPages, TWO_FACTOR_CODE };
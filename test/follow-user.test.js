@@ -0,0 +1,115 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockInstagram, service, TEST_TIMEOUT_MS, launchTestBrowser, openPage, resetServiceState } from './helpers.js';
+
+let browser;
+let context;
+let page;
+let account;
+
+before(async () => {
+  browser = await launchTestBrowser();
+});
+
+after(async () => {
+  await browser?.close();
+  await mockInstagram.close();
+});
+
+beforeEach(async () => {
+  await resetServiceState();
+  account = service.getAccount();
+  ({ context, page } = await openPage(browser));
+});
+
+afterEach(async () => {
+  await context?.close();
+});
+
+test('followed: clicks Follow and sees Following', { timeout: TEST_TIMEOUT_MS }, async () => {
+  const result = await service.followUser(account, page, 'followme', 'test');
+  assert.equal(result.status, 'followed');
+});
+
+test('followed: handles Follow Back buttons', { timeout: TEST_TIMEOUT_MS }, async () => {
+  const result = await service.followUser(account, page, 'followbackme', 'test');
+  assert.equal(result.status, 'followed');
+});
+
+test('followed: recognises a Spanish-language profile', { timeout: TEST_TIMEOUT_MS }, async () => {
+  const result = await service.followUser(account, page, 'seguirperfil', 'test');
+  assert.equal(result.status, 'followed');
+});
+
+test('privateorpending: follow request sent to a private profile', { timeout: TEST_TIMEOUT_MS }, async () => {
+  const result = await service.followUser(account, page, 'privateprofile', 'test');
+  assert.equal(result.status, 'privateorpending');
+  assert.match(result.message, /request sent/);
+});
+
+test('privateorpending: request already pending', { timeout: TEST_TIMEOUT_MS }, async () => {
+  const result = await service.followUser(account, page, 'pendingrequest', 'test');
+  assert.equal(result.status, 'privateorpending');
+  assert.match(result.message, /already pending/);
+});
+
+test('alreadyfollowed: button already reads Following', { timeout: TEST_TIMEOUT_MS }, async () => {
+  const result = await service.followUser(account, page, 'alreadyfollowing', 'test');
+  assert.equal(result.status, 'alreadyfollowed');
+});
+
+test('notfound: profile page is not available', { timeout: TEST_TIMEOUT_MS }, async () => {
+  const result = await service.followUser(account, page, 'doesnotexist', 'test');
+  assert.equal(result.status, 'notfound');
+});
+
+test('blocked: target user is not accessible', { timeout: TEST_TIMEOUT_MS }, async () => {
+  const result = await service.followUser(account, page, 'blockedbyuser', 'test');
+  assert.equal(result.status, 'blocked');
+});
+
+test('failed: no follow button on the profile', { timeout: TEST_TIMEOUT_MS }, async () => {
+  const result = await service.followUser(account, page, 'nobutton', 'test');
+  assert.equal(result.status, 'failed');
+  assert.match(result.message, /Could not locate follow button/);
+});
+
+test('failed: follow click does not change the button', { timeout: TEST_TIMEOUT_MS }, async () => {
+  const result = await service.followUser(account, page, 'stuckbutton', 'test');
+  assert.equal(result.status, 'failed');
+  assert.match(result.message, /did not complete/);
+});
+
+test('failed: button found by aria-label has an unknown state', { timeout: TEST_TIMEOUT_MS }, async () => {
+  const result = await service.followUser(account, page, 'unknownbutton', 'test');
+  assert.equal(result.status, 'failed');
+  assert.equal(result.message, 'Unknown button state');
+});
+
+test('failed: account is blocked before following', { timeout: TEST_TIMEOUT_MS }, async () => {
+  const result = await service.followUser(account, page, 'blockedonload', 'test');
+  assert.equal(result.status, 'failed');
+  assert.match(result.message, /Account blocked by Instagram/);
+  assert.deepEqual(result.healthIssues, ['actionBlocked']);
+  assert.equal(account.circuitBreaker.state, 'open');
+});
+
+test('failed: follow action triggers a block', { timeout: TEST_TIMEOUT_MS }, async () => {
+  const result = await service.followUser(account, page, 'blockedafterfollow', 'test');
+  assert.equal(result.status, 'failed');
+  assert.match(result.message, /Follow action triggered Instagram block/);
+  assert.ok(result.healthIssues.includes('actionBlocked'));
+  assert.equal(account.health.isHealthy, false);
+});
+
+test('wouldfollow: a dry run stops before clicking Follow', { timeout: TEST_TIMEOUT_MS }, async () => {
+  const result = await service.followUser(account, page, 'blockedafterfollow', 'test', { dryRun: true });
+  assert.equal(result.status, 'wouldfollow');
+  assert.equal(account.health.isHealthy, true);
+  assert.equal(await page.locator('button', { hasText: 'Following' }).count(), 0);
+});
+
+test('alreadyfollowed: a dry run still classifies the button', { timeout: TEST_TIMEOUT_MS }, async () => {
+  const result = await service.followUser(account, page, 'alreadyfollowing', 'test', { dryRun: true });
+  assert.equal(result.status, 'alreadyfollowed');
+});
@@ -0,0 +1,137 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { chromium } from 'playwright';
+import { startMockInstagram } from './fixtures/mock-instagram.js';
+
+// ============================================================================
+// TEST HARNESS
+// ============================================================================
+// server.js reads its configuration at import time, so the mock server has to
+// be listening and the environment set before the module is loaded.
+
+export const mockInstagram = await startMockInstagram();
+
+// Failure artifacts, the accounts file and the API keys file go to a throwaway directory, removed when the test process exits
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'instagram-test-'));
+process.on('exit', () => fs.rmSync(tempDir, { recursive: true, force: true }));
+export const artifactsDir = path.join(tempDir, 'artifacts');
+
+// Two accounts so tests can check that one account's state never leaks into the other
+const accountsFile = path.join(tempDir, 'accounts.json');
+fs.writeFileSync(accountsFile, JSON.stringify({
+  default: 'default',
+  accounts: [
+    { id: 'default', username: 'mock_user', password: 'mock-password' },
+    { id: 'secondary', username: 'mock_user_two', passwordEnv: 'MOCK_SECONDARY_PASSWORD' }
+  ]
+}));
+
+// Scoped API keys next to the legacy BEARER_TOKEN (which keeps every scope)
+export const apiKeySecrets = {
+  reporting: 'test-reporting-key-that-is-at-least-32-chars',
+  limited: 'test-limited-key-that-is-at-least-32-chars'
+};
+const hashSecret = (secret) => `sha256:${crypto.createHash('sha256').update(secret).digest('hex')}`;
+const apiKeysFile = path.join(tempDir, 'api-keys.json');
+fs.writeFileSync(apiKeysFile, JSON.stringify({
+  keys: [
+    { id: 'reporting', scopes: ['history', 'read-health'], hashes: [{ hash: hashSecret(apiKeySecrets.reporting) }] },
+    {
+      id: 'limited',
+      scopes: ['follow'],
+      hashes: [{ hash: hashSecret(apiKeySecrets.limited) }],
+      rateLimit: { perMinute: 2 },
+      quota: { daily: 1 }
+    }
+  ]
+}));
+
+Object.assign(process.env, {
+  INSTAGRAM_BASE_URL: mockInstagram.baseUrl,
+  ACCOUNTS_FILE: accountsFile,
+  API_KEYS_FILE: apiKeysFile,
+  MOCK_SECONDARY_PASSWORD: 'mock-password-two',
+  BEARER_TOKEN: 'test-bearer-token-that-is-at-least-32-chars',
+  STATE_STORE_BACKEND: 'memory',
+  WEBHOOK_URLS: '',
+  ARTIFACTS_DIR: artifactsDir,
+  LOG_LEVEL: process.env.LOG_LEVEL || 'error'
+});
+
+export const service = await import('../server.js');
+await service.loadDetectionProfile();
+await service.loadAccounts();
+await service.loadApiKeys();
+
+// Every test drives real Playwright pages with the service's human-like
+// delays, so individual tests take several seconds
+export const TEST_TIMEOUT_MS = 60000;
+
+/**
+ * Launches a headless Chromium for a test file.
+ * @returns {Promise<Browser>} Playwright browser
+ */
+export const launchTestBrowser = () => chromium.launch({ headless: true });
+
+/**
+ * Opens a fresh context and page so cookies never leak between tests.
+ * @param {Browser} browser - Browser from launchTestBrowser
+ * @returns {Promise<Object>} { context, page }
+ */
+export const openPage = async (browser) => {
+  const context = await browser.newContext();
+  const page = await context.newPage();
+  return { context, page };
+};
+
+/**
+ * Recreates every account with its boot state (no session, healthy, breaker closed)
+ * and empties the follow history, API key usage, campaigns, idempotency keys and
+ * per-client rate limits.
+ * Fetch accounts with service.getAccount() afterwards; old references are stale.
+ */
+export const resetServiceState = async () => {
+  await service.loadAccounts();
+  service.apiKeys.clear();
+  await service.loadApiKeys();
+  await service.loadFollowHistory();
+  service.campaigns.clear();
+  service.idempotencyRecords.clear();
+  service.rateLimitStore.clear();
+};
+
+let testServerUrl = null;
+
+/**
+ * Starts the service's Express app on a free port for HTTP tests.
+ * Call from before(); close() belongs in after() and also stops the mock Instagram server.
+ * @returns {Promise<Object>} { baseUrl, close }
+ */
+export const startTestServer = async () => {
+  const server = service.app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  testServerUrl = `http://127.0.0.1:${server.address().port}`;
+  
+  return {
+    baseUrl: testServerUrl,
+    close: async () => {
+      await new Promise(resolve => server.close(resolve));
+      await mockInstagram.close();
+    }
+  };
+};
+
+/**
+ * Calls the server started by startTestServer with a Bearer token and an optional JSON body.
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {Object} [options] - { body, token (defaults to BEARER_TOKEN), headers }
+ * @returns {Promise<Response>} fetch response
+ */
+export const request = (method, path, { body, token = process.env.BEARER_TOKEN, headers = {} } = {}) => fetch(`${testServerUrl}${path}`, {
+  method,
+  headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json', ...headers },
+  body: body === undefined ? undefined : JSON.stringify(body)
+});
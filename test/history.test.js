@@ -0,0 +1,88 @@
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockInstagram, service, resetServiceState } from './helpers.js';
+
+let account;
+
+/**
+ * Records a follow outcome as the workflow would.
+ * @param {string} username - Target username
+ * @param {string} status - Follow status
+ * @param {Object} [fields] - Extra response fields
+ */
+const record = (username, status, fields = {}) => service.recordFollowHistory(account, username, {
+  success: ['followed', 'alreadyfollowed', 'privateorpending'].includes(status),
+  status,
+  timestamp: new Date().toISOString(),
+  attempts: 1,
+  ...fields
+}, { requestId: 'test' });
+
+after(async () => {
+  await mockInstagram.close();
+});
+
+beforeEach(async () => {
+  await resetServiceState();
+  account = service.getAccount();
+});
+
+test('records every outcome newest first', () => {
+  record('first_user', 'followed');
+  record('second_user', 'failed', { errorDetails: 'Could not locate follow button', attempts: 3 });
+
+  const entries = service.queryFollowHistory();
+
+  assert.deepEqual(entries.map(entry => entry.username), ['second_user', 'first_user']);
+  assert.equal(entries[0].attempts, 3);
+  assert.equal(entries[0].errorDetails, 'Could not locate follow button');
+  assert.equal(entries[0].account, 'default');
+});
+
+test('filters by status, username, account and date range', () => {
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  record('first_user', 'followed', { timestamp: daysAgo(3) });
+  record('second_user', 'notfound', { timestamp: daysAgo(2) });
+  record('first_user', 'alreadyfollowed', { timestamp: daysAgo(1) });
+
+  const statuses = service.queryFollowHistory({ statuses: ['followed', 'alreadyfollowed'] });
+  assert.deepEqual(statuses.map(entry => entry.status), ['alreadyfollowed', 'followed']);
+
+  assert.equal(service.queryFollowHistory({ username: 'second_user' }).length, 1);
+  assert.equal(service.queryFollowHistory({ account: 'secondary' }).length, 0);
+
+  const range = service.queryFollowHistory({ from: Date.parse(daysAgo(2.5)), to: Date.parse(daysAgo(1.5)) });
+  assert.deepEqual(range.map(entry => entry.username), ['second_user']);
+});
+
+test('CSV export quotes commas and neutralizes formulas', () => {
+  record('first_user', 'failed', { errorDetails: '=HYPERLINK("x"), then retry' });
+
+  const [header, row] = service.formatHistoryCsv(service.queryFollowHistory()).trim().split('\n');
+
+  assert.match(header, /^timestamp,account,username,status,/);
+  assert.match(row, /,"'=HYPERLINK\(""x""\), then retry",/);
+});
+
+test('dedupe skips a target followed within the window without a browser', async () => {
+  record('first_user', 'followed');
+
+  const result = await service.automateFollow(account, 'first_user', 'test', { dedupeWindowMs: 60 * 60 * 1000 });
+
+  assert.equal(result.success, true);
+  assert.equal(result.status, 'duplicate');
+  assert.equal(result.previousStatus, 'followed');
+  assert.equal(account.browserMetrics.launches, 0);
+  assert.equal(service.queryFollowHistory()[0].status, 'duplicate');
+});
+
+test('dedupe ignores failures and other accounts', () => {
+  record('first_user', 'failed');
+
+  assert.equal(service.findRecentFollow(account, 'first_user', 60 * 60 * 1000), null);
+
+  record('second_user', 'followed');
+
+  assert.ok(service.findRecentFollow(account, 'second_user', 60 * 60 * 1000));
+  assert.equal(service.findRecentFollow(service.getAccount('secondary'), 'second_user', 60 * 60 * 1000), null);
+});
@@ -0,0 +1,96 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { service, resetServiceState, startTestServer, request } from './helpers.js';
+
+let server;
+
+/**
+ * Posts to /follow with an Idempotency-Key.
+ * @param {Object} body - Request body
+ * @param {string} key - Idempotency-Key header value
+ */
+const postFollow = (body, key) => request('POST', '/follow', { body, headers: { 'Idempotency-Key': key } });
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(async () => {
+  await resetServiceState();
+  // A recent follow makes "dedupe" answer without launching a browser
+  service.recordFollowHistory(service.getAccount(), 'first_user', {
+    success: true,
+    status: 'followed',
+    timestamp: new Date().toISOString(),
+    attempts: 1
+  });
+});
+
+test('a repeated key returns the stored result without running the follow again', async () => {
+  const first = await postFollow({ username: 'first_user', dedupe: true }, 'retry-key-1');
+  const firstBody = await first.json();
+  assert.equal(first.status, 200);
+  assert.equal(firstBody.status, 'duplicate');
+  assert.equal(first.headers.get('idempotent-replayed'), null);
+
+  const second = await postFollow({ username: 'first_user', dedupe: true }, 'retry-key-1');
+  assert.equal(second.status, 200);
+  assert.equal(second.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(await second.json(), firstBody);
+
+  assert.equal(service.queryFollowHistory({ username: 'first_user' }).length, 2);
+});
+
+test('a repeated key replays even while new follows would be refused', async () => {
+  const firstBody = await (await postFollow({ username: 'first_user', dedupe: true }, 'retry-key-3')).json();
+  const account = service.getAccount();
+  Object.assign(account.circuitBreaker, { state: 'open', resumeAt: Date.now() + 60000, reason: 'test' });
+  // Uses up this client's rate limit window (the test server sees IPv4-mapped addresses)
+  service.rateLimitStore.set('::ffff:127.0.0.1', { count: 1000, resetAt: Date.now() + 60000 });
+
+  const replay = await postFollow({ username: 'first_user', dedupe: true }, 'retry-key-3');
+  assert.equal(replay.status, 200);
+  assert.deepEqual(await replay.json(), firstBody);
+
+  const fresh = await postFollow({ username: 'first_user', dedupe: true }, 'retry-key-4');
+  assert.equal(fresh.status, 429);
+});
+
+test('reusing a key for another username is a conflict', async () => {
+  await postFollow({ username: 'first_user', dedupe: true }, 'retry-key-2');
+
+  const response = await postFollow({ username: 'second_user' }, 'retry-key-2');
+  const body = await response.json();
+
+  assert.equal(response.status, 409);
+  assert.match(body.errorDetails, /already used/);
+});
+
+test('keys with spaces are rejected', async () => {
+  const response = await postFollow({ username: 'first_user' }, 'not a key');
+  assert.equal(response.status, 400);
+});
+
+test('finished keys survive a restart and unfinished or cancelled ones are forgotten', async () => {
+  const firstBody = await (await postFollow({ username: 'first_user', dedupe: true }, 'restart-key')).json();
+  const [[, record]] = service.snapshotState().idempotency.filter(([key]) => key === 'restart-key');
+
+  // After a restart the record is all that is left of the job
+  const restarted = { ...record, jobId: 'job-from-previous-process' };
+  service.restoreIdempotencyRecords([
+    ['restart-key', restarted],
+    ['unfinished-key', { ...restarted, result: null }],
+    ['cancelled-key', { ...restarted, result: { ...restarted.result, status: 'draining' } }],
+    ['expired-key', { ...restarted, createdAt: Date.now() - 48 * 60 * 60 * 1000 }]
+  ]);
+  assert.deepEqual(Array.from(service.idempotencyRecords.keys()), ['restart-key']);
+
+  const replay = await postFollow({ username: 'first_user', dedupe: true }, 'restart-key');
+  assert.equal(replay.status, 200);
+  assert.equal(replay.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(await replay.json(), firstBody);
+});
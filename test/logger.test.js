@@ -0,0 +1,34 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockInstagram, service } from './helpers.js';
+
+after(async () => {
+  await mockInstagram.close();
+});
+
+test('redacts sensitive field names but keeps counters named after them', () => {
+  const fields = service.redactFields({
+    password: 'hunter2',
+    bearerToken: 'abc',
+    cookies: [{ name: 'sessionid' }],
+    Authorization: 'Bearer abc',
+    cookieCount: 4,
+    tokenCount: 2,
+    passwordEnv: 'BRAND_PASSWORD'
+  });
+
+  assert.deepEqual(fields, {
+    password: '[REDACTED]',
+    bearerToken: '[REDACTED]',
+    cookies: '[REDACTED]',
+    Authorization: '[REDACTED]',
+    cookieCount: 4,
+    tokenCount: 2,
+    passwordEnv: 'BRAND_PASSWORD'
+  });
+});
+
+test('masks known secret values wherever they appear', () => {
+  const { errorDetails } = service.redactFields({ errorDetails: `login failed with ${process.env.BEARER_TOKEN}` });
+  assert.doesNotMatch(errorDetails, new RegExp(process.env.BEARER_TOKEN));
+});
@@ -0,0 +1,149 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { mockInstagram, service, artifactsDir, TEST_TIMEOUT_MS, launchTestBrowser, openPage, resetServiceState } from './helpers.js';
+import { TWO_FACTOR_CODE } from './fixtures/mock-instagram.js';
+
+let browser;
+let context;
+let page;
+
+before(async () => {
+  browser = await launchTestBrowser();
+});
+
+after(async () => {
+  await browser?.close();
+  await mockInstagram.close();
+});
+
+beforeEach(async () => {
+  mockInstagram.reset();
+  await resetServiceState();
+  ({ context, page } = await openPage(browser));
+});
+
+afterEach(async () => {
+  await context?.close();
+});
+
+test('fresh login succeeds and saves the session cookies', { timeout: TEST_TIMEOUT_MS }, async () => {
+  const loggedIn = await service.loginToInstagram(service.getAccount(), page, context, false, 'test');
+
+  assert.equal(loggedIn, true);
+  assert.equal(mockInstagram.loginAttempts, 1);
+  assert.ok(service.getAccount().session.cookies.some(cookie => cookie.name === 'sessionid'));
+});
+
+test('restored session that is still valid skips the login form', { timeout: TEST_TIMEOUT_MS }, async () => {
+  await context.addCookies([{ name: 'sessionid', value: 'mock-session', url: mockInstagram.baseUrl }]);
+
+  const loggedIn = await service.loginToInstagram(service.getAccount(), page, context, true, 'test');
+
+  assert.equal(loggedIn, true);
+  assert.equal(mockInstagram.loginAttempts, 0);
+});
+
+test('restored session that expired falls back to a fresh login', { timeout: TEST_TIMEOUT_MS }, async () => {
+  const loggedIn = await service.loginToInstagram(service.getAccount(), page, context, true, 'test');
+
+  assert.equal(loggedIn, true);
+  assert.equal(mockInstagram.loginAttempts, 1);
+  assert.ok(service.getAccount().session);
+});
+
+test('2FA challenge is detected, not bypassed, and parked for a code', { timeout: TEST_TIMEOUT_MS }, async () => {
+  mockInstagram.setLoginOutcome('2fa');
+
+  await assert.rejects(
+    service.loginToInstagram(service.getAccount(), page, context, false, 'test'),
+    { message: '2FA_CHALLENGE_DETECTED' }
+  );
+  assert.equal(service.getAccount().twoFactorChallenge.page, page);
+  assert.ok(service.getAccount().twoFactorChallenge.expiresAt > Date.now());
+});
+
+test('submitted security code completes a parked login', { timeout: TEST_TIMEOUT_MS }, async () => {
+  mockInstagram.setLoginOutcome('2fa');
+  const account = service.getAccount();
+  await service.loginToInstagram(account, page, context, false, 'test').catch(() => {});
+
+  const result = await service.submitTwoFactorCode(account, TWO_FACTOR_CODE, 'test');
+
+  assert.equal(result.accepted, true);
+  assert.equal(account.twoFactorChallenge, null);
+  assert.ok(account.session.cookies.some(cookie => cookie.name === 'sessionid'));
+});
+
+test('wrong security code keeps the login parked', { timeout: TEST_TIMEOUT_MS }, async () => {
+  mockInstagram.setLoginOutcome('2fa');
+  const account = service.getAccount();
+  await service.loginToInstagram(account, page, context, false, 'test').catch(() => {});
+
+  const result = await service.submitTwoFactorCode(account, '000000', 'test');
+
+  assert.deepEqual(result, { accepted: false, attemptsLeft: 2 });
+  assert.equal(account.twoFactorChallenge.attempts, 1);
+  assert.equal(account.session, null);
+});
+
+test('imported cookies that are logged in become the session without a login', { timeout: TEST_TIMEOUT_MS }, async () => {
+  const account = service.getAccount();
+  const { cookies } = service.parseImportedCookies([{ name: 'sessionid', value: 'mock-session', domain: '127.0.0.1' }]);
+
+  const result = await service.importSession(account, cookies, 'bearer-token', 'test');
+
+  assert.equal(result.valid, true);
+  assert.equal(mockInstagram.loginAttempts, 0);
+  assert.equal(account.session.source, 'import');
+  assert.equal(account.session.importedBy, 'bearer-token');
+});
+
+test('imported cookies that are logged out are rejected and the session is kept', { timeout: TEST_TIMEOUT_MS }, async () => {
+  const account = service.getAccount();
+  const { cookies } = service.parseImportedCookies([{ name: 'sessionid', value: 'stale', domain: '127.0.0.1' }]);
+
+  const result = await service.importSession(account, cookies, 'bearer-token', 'test');
+
+  assert.equal(result.valid, false);
+  assert.equal(account.session, null);
+});
+
+test('wrong password reports LOGIN_FAILED', { timeout: TEST_TIMEOUT_MS }, async () => {
+  mockInstagram.setLoginOutcome('badpassword');
+
+  await assert.rejects(
+    service.loginToInstagram(service.getAccount(), page, context, false, 'test'),
+    { message: 'LOGIN_FAILED' }
+  );
+});
+
+test('missing login form times out', { timeout: TEST_TIMEOUT_MS }, async () => {
+  mockInstagram.setLoginOutcome('noform');
+
+  await assert.rejects(
+    service.loginToInstagram(service.getAccount(), page, context, false, 'test'),
+    { name: 'TimeoutError' }
+  );
+  assert.equal(mockInstagram.loginAttempts, 0);
+});
+
+test('failed login captures a screenshot and sanitized DOM', { timeout: TEST_TIMEOUT_MS }, async () => {
+  mockInstagram.setLoginOutcome('badpassword');
+
+  const error = await service.loginToInstagram(service.getAccount(), page, context, false, 'test').catch(err => err);
+  assert.equal(error.message, 'LOGIN_FAILED');
+  assert.ok(error.artifactId);
+
+  const artifactDir = path.join(artifactsDir, error.artifactId);
+  const meta = JSON.parse(await fs.readFile(path.join(artifactDir, 'meta.json'), 'utf8'));
+  assert.deepEqual(meta.files, ['screenshot.png', 'dom.html']);
+  assert.equal(meta.reason, 'Login: LOGIN_FAILED');
+  assert.equal(meta.url, `${mockInstagram.baseUrl}/accounts/login/`);
+
+  const dom = await fs.readFile(path.join(artifactDir, 'dom.html'), 'utf8');
+  assert.match(dom, /password was incorrect/);
+  assert.doesNotMatch(dom, /mock-password/);
+  assert.doesNotMatch(dom, /<script/i);
+});
@@ -0,0 +1,51 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockInstagram, service } from './helpers.js';
+
+const session = {
+  cookies: [{ name: 'sessionid', value: 'mock-session', domain: '127.0.0.1', path: '/' }],
+  createdAt: Date.now(),
+  loginCount: 1,
+  source: 'login',
+  importedBy: null
+};
+
+after(async () => {
+  await mockInstagram.close();
+});
+
+test('sealed sessions keep no cookie in plain text and open with the same key', () => {
+  const keys = service.deriveSessionKeys(['first-session-key-that-is-32-chars-long']);
+
+  const sealed = service.sealSession(session, 'default', keys);
+
+  assert.equal(sealed.keyId, keys[0].id);
+  assert.doesNotMatch(JSON.stringify(sealed), /mock-session/);
+  assert.deepEqual(service.unsealSession(sealed, 'default', keys), { session, keyId: keys[0].id });
+});
+
+test('a previous key still opens sessions after rotation, so they can be sealed again', () => {
+  const [oldKey] = service.deriveSessionKeys(['first-session-key-that-is-32-chars-long']);
+  const rotated = service.deriveSessionKeys(['second-session-key-that-is-32-chars-long', 'first-session-key-that-is-32-chars-long']);
+
+  const sealed = service.sealSession(session, 'default', [oldKey]);
+  const opened = service.unsealSession(sealed, 'default', rotated);
+
+  assert.deepEqual(opened.session, session);
+  assert.equal(opened.keyId, oldKey.id);
+  assert.notEqual(opened.keyId, rotated[0].id);
+  assert.equal(service.sealSession(opened.session, 'default', rotated).keyId, rotated[0].id);
+});
+
+test('rejects unknown keys and sessions moved to another account', () => {
+  const keys = service.deriveSessionKeys(['first-session-key-that-is-32-chars-long']);
+  const sealed = service.sealSession(session, 'default', keys);
+
+  assert.throws(() => service.unsealSession(sealed, 'default', service.deriveSessionKeys(['another-session-key-that-is-32-chars'])), /not configured/);
+  assert.throws(() => service.unsealSession(sealed, 'secondary', keys));
+});
+
+test('plain sessions saved before encryption are read as they are', () => {
+  assert.deepEqual(service.unsealSession(session, 'default', []), { session, keyId: null });
+  assert.equal(service.sealSession(session, 'default', []), session);
+});
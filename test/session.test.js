@@ -0,0 +1,74 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { service, resetServiceState, startTestServer, request } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(async () => {
+  await resetServiceState();
+});
+
+test('normalizes exported cookies and ignores other sites and expired ones', () => {
+  const { cookies, ignored, errors } = service.parseImportedCookies([
+    { name: 'sessionid', value: 'abc', domain: '127.0.0.1', expirationDate: Date.now() / 1000 + 3600, sameSite: 'no_restriction', httpOnly: true },
+    { name: 'csrftoken', value: 'def', domain: '127.0.0.1', expires: Date.now() / 1000 - 60 },
+    { name: 'other', value: 'ghi', domain: '.example.com' }
+  ]);
+
+  assert.deepEqual(errors, []);
+  assert.equal(ignored, 2);
+  assert.equal(cookies.length, 1);
+  assert.equal(cookies[0].sameSite, 'None');
+  assert.equal(cookies[0].path, '/');
+  assert.equal(cookies[0].httpOnly, true);
+});
+
+test('rejects malformed cookies before launching a browser', async () => {
+  const response = await request('POST', '/admin/session/import', { body: { storageState: { cookies: [{ name: 'sessionid' }], origins: [] } } });
+  const result = await response.json();
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(result.validationErrors, ['cookies[0] needs string name, value and domain']);
+
+  const foreign = await request('POST', '/admin/session/import', { body: { cookies: [{ name: 'sessionid', value: 'abc', domain: '.example.com' }] } });
+  assert.deepEqual((await foreign.json()).validationErrors, ['No unexpired cookies for 127.0.0.1']);
+});
+
+test('refuses an import while a job is running on the account', async () => {
+  const account = service.getAccount();
+  account.isJobWorkerRunning = true;
+
+  try {
+    const response = await request('POST', '/admin/session/import', { body: { cookies: [{ name: 'sessionid', value: 'abc', domain: '127.0.0.1' }] } });
+    const result = await response.json();
+
+    assert.equal(response.status, 409);
+    assert.equal(result.account, account.id);
+    assert.equal(account.session, null);
+  } finally {
+    account.isJobWorkerRunning = false;
+  }
+});
+
+test('exports the stored session as a storageState and invalidates it', async () => {
+  const account = service.getAccount();
+  const cookies = [{ name: 'sessionid', value: 'mock-session', domain: '127.0.0.1', path: '/', expires: -1, httpOnly: true, secure: false }];
+  account.session = { cookies, createdAt: Date.now(), loginCount: 0, source: 'import', importedBy: 'bearer-token' };
+
+  const exported = await (await request('GET', '/admin/session/export')).json();
+  assert.equal(exported.source, 'import');
+  assert.deepEqual(exported.storageState, { cookies, origins: [] });
+
+  const invalidated = await (await request('POST', '/admin/session/invalidate', { body: {} })).json();
+  assert.equal(invalidated.hadSession, true);
+  assert.equal(account.session, null);
+  assert.equal((await request('GET', '/admin/session/export')).status, 404);
+});
@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { service, resetServiceState, startTestServer, request } from './helpers.js';
+
+// Monday 10:00 in New York (after the real clock, see campaigns.test.js)
+const MONDAY_10AM = Date.parse('2030-01-07T15:00:00Z');
+
+const schedule = {
+  timezone: 'America/New_York',
+  days: ['mon'],
+  activeHours: { start: '09:00', end: '17:00' },
+  dailyTarget: 4
+};
+
+let server;
+
+before(async () => {
+  await resetServiceState();
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+// Draining cannot be undone, so these tests run in order: the first one starts it
+
+test('draining cancels queued jobs with a draining result and campaigns defer', async () => {
+  const account = service.getAccount();
+  // Stands in for a job already running, so new jobs stay queued
+  account.isJobWorkerRunning = true;
+
+  const queued = await (await request('POST', '/follow', { body: { username: 'first_user', async: true } })).json();
+  const pendingBatch = request('POST', '/follow/batch', { body: { usernames: ['first_user', 'second_user'] } });
+  while (account.jobQueue.length < 2) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  const campaign = service.createCampaign(account, { name: 'Test', targets: ['first_user', 'second_user'], schedule, dedupeWindowMs: null });
+  service.runCampaignScheduler(MONDAY_10AM);
+  service.runCampaignScheduler(campaign.nextActionAt);
+  assert.ok(campaign.activeJobId);
+
+  const { running, cancelled } = service.beginDraining();
+  account.isJobWorkerRunning = false;
+
+  assert.deepEqual(running, []);
+  assert.equal(cancelled, 3);
+
+  const job = await (await request('GET', `/jobs/${queued.jobId}`)).json();
+  assert.equal(job.state, 'finished');
+  assert.equal(job.result.status, 'draining');
+
+  // A synchronous batch still waiting in the queue gets the same 503
+  const batch = await pendingBatch;
+  assert.equal(batch.status, 503);
+  assert.equal((await batch.json()).status, 'draining');
+
+  // The cancelled campaign follow is retried after the restart rather than counted
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(campaign.activeJobId, null);
+  assert.equal(campaign.cursor, 0);
+  assert.deepEqual(campaign.summary, {});
+});
+
+test('once draining, /health reports it and new actions get 503', async () => {
+  const health = await request('GET', '/health');
+  assert.equal(health.status, 503);
+  assert.equal((await health.json()).status, 'draining');
+
+  const follow = await request('POST', '/follow', { body: { username: 'first_user' } });
+  assert.equal(follow.status, 503);
+  assert.ok(follow.headers.get('retry-after'));
+  assert.equal((await follow.json()).status, 'draining');
+});
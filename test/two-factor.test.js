@@ -0,0 +1,59 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { service, resetServiceState, startTestServer, request } from './helpers.js';
+
+let server;
+
+/**
+ * Stands in for a login parked at the security-code prompt.
+ * @param {Object} account - Account to park
+ */
+const parkFakeChallenge = (account) => {
+  account.twoFactorChallenge = {
+    managed: null,
+    page: { close: async () => {} },
+    requestId: 'test',
+    detectedAt: Date.now(),
+    expiresAt: Date.now() + 60000,
+    attempts: 0,
+    submitting: false,
+    timer: null
+  };
+};
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(async () => {
+  await resetServiceState();
+});
+
+test('rejects malformed codes and accounts without a pending challenge', async () => {
+  const malformed = await request('POST', '/login/2fa', { body: { code: '12ab' } });
+  assert.equal(malformed.status, 400);
+
+  const nothingPending = await request('POST', '/login/2fa', { body: { code: '123456', account: 'secondary' } });
+  assert.equal(nothingPending.status, 409);
+  assert.equal((await nothingPending.json()).errorDetails, 'No two-factor challenge is pending for account secondary');
+});
+
+test('actions on an account waiting for a code fail fast with needs2fa', async () => {
+  parkFakeChallenge(service.getAccount());
+
+  const response = await request('POST', '/follow', { body: { username: 'followme' } });
+  const result = await response.json();
+
+  assert.equal(response.status, 503);
+  assert.equal(result.status, 'needs2fa');
+  assert.match(result.errorDetails, /POST \/login\/2fa/);
+
+  // Other accounts keep working
+  const health = await request('GET', '/accounts');
+  const needs2fa = (await health.json()).accounts.map(account => [account.id, account.needs2fa]);
+  assert.deepEqual(needs2fa, [['default', true], ['secondary', false]]);
+});
@@ -0,0 +1,16 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockInstagram, service } from './helpers.js';
+
+after(async () => {
+  await mockInstagram.close();
+});
+
+test('receivers are described by origin and fingerprint, never the token-bearing path', () => {
+  const receiver = service.describeWebhookReceiver('https://hooks.slack.com/services/T000/B000/secret-token?x=1');
+
+  assert.equal(receiver.origin, 'https://hooks.slack.com');
+  assert.match(receiver.fingerprint, /^[0-9a-f]{8}$/);
+  assert.doesNotMatch(JSON.stringify(receiver), /secret-token/);
+  assert.notEqual(service.describeWebhookReceiver('https://hooks.slack.com/services/other').fingerprint, receiver.fingerprint);
+});